@@ -0,0 +1,194 @@
+/**
+ * LLM Providers
+ *
+ * One interface for the AI transcript parser, whichever model answers:
+ *   LlmProviders.complete(providerId, { prompt, apiKey, model, baseUrl, temperature, maxTokens })
+ *     -> Promise<string>   the model's text reply
+ *
+ * Providers:
+ *   gemini     Google Gemini (generativelanguage.googleapis.com)
+ *   anthropic  Anthropic Messages API, called directly from the browser
+ *   openai     Any OpenAI-compatible /chat/completions endpoint (OpenAI, OpenRouter, Groq, ...)
+ *   local      A local OpenAI-compatible server: Ollama, llama.cpp, LM Studio
+ *   mock       No network: turns the transcript's timestamps into segments, for offline testing
+ *
+ * Each provider describes its own key storage (keyStorage, a localStorage key),
+ * suggested models and default base URL; the page keeps the user's choices.
+ *
+ * Exposed as window.LlmProviders.
+ */
+(function () {
+  'use strict';
+
+  function readError(response) {
+    return response.json().catch(function () { return {}; }).then(function (data) {
+      const err = data.error;
+      const message = (err && (err.message || (typeof err === 'string' ? err : null))) || 'API error: ' + response.status;
+      throw new Error(message);
+    });
+  }
+
+  function postJson(url, headers, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+      body: JSON.stringify(body),
+    }).then(function (response) {
+      if (!response.ok) return readError(response);
+      return response.json();
+    });
+  }
+
+  function trimSlash(url) {
+    return String(url || '').replace(/\/+$/, '');
+  }
+
+  function openAiCompatible(options, defaultBaseUrl) {
+    const headers = options.apiKey ? { Authorization: 'Bearer ' + options.apiKey } : {};
+    return postJson(trimSlash(options.baseUrl || defaultBaseUrl) + '/chat/completions', headers, {
+      model: options.model,
+      messages: [{ role: 'user', content: options.prompt }],
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+    }).then(function (data) {
+      const choice = data.choices && data.choices[0];
+      return (choice && choice.message && choice.message.content) || '';
+    });
+  }
+
+  // Every timestamped transcript line starts a segment that runs until the next one
+  function mockSegments(prompt) {
+    const transcript = prompt.split(/Transcript:\s*\n/).pop();
+    const cues = [];
+    transcript.split('\n').forEach(function (line) {
+      const m = line.match(/^\s*\[?(?:(\d+):)?(\d{1,2}):(\d{2})\]?\s*(.*)$/);
+      if (!m) return;
+      const seconds = (parseInt(m[1] || '0', 10) * 60 + parseInt(m[2], 10)) * 60 + parseInt(m[3], 10);
+      cues.push({ start: seconds, text: m[4].trim() });
+    });
+    return cues.map(function (cue, i) {
+      const end = i + 1 < cues.length ? cues[i + 1].start : cue.start + 30;
+      return {
+        name: (cue.text || 'Segment ' + (i + 1)).slice(0, 40),
+        start: cue.start,
+        end: Math.max(end, cue.start + 1),
+        description: cue.text,
+        repeat: 3,
+        category: 'flexibility',
+        difficulty: 1,
+      };
+    });
+  }
+
+  const PROVIDERS = [
+    {
+      id: 'gemini',
+      name: 'Google Gemini',
+      keyStorage: 'geminiApiKey',
+      needsKey: true,
+      keyUrl: 'https://ai.google.dev/gemini-api/docs/api-key',
+      models: ['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro'],
+      complete: function (options) {
+        const url = 'https://generativelanguage.googleapis.com/v1beta/models/' + encodeURIComponent(options.model) +
+          ':generateContent?key=' + encodeURIComponent(options.apiKey);
+        return postJson(url, {}, {
+          contents: [{ parts: [{ text: options.prompt }] }],
+          generationConfig: { temperature: options.temperature, maxOutputTokens: options.maxTokens },
+        }).then(function (data) {
+          const candidate = data.candidates && data.candidates[0];
+          const parts = (candidate && candidate.content && candidate.content.parts) || [];
+          return (parts[0] && parts[0].text) || '';
+        });
+      },
+    },
+    {
+      id: 'anthropic',
+      name: 'Anthropic',
+      keyStorage: 'anthropicApiKey',
+      needsKey: true,
+      keyUrl: 'https://console.anthropic.com/settings/keys',
+      models: ['claude-sonnet-4-0', 'claude-3-5-haiku-latest', 'claude-opus-4-0'],
+      complete: function (options) {
+        return postJson('https://api.anthropic.com/v1/messages', {
+          'x-api-key': options.apiKey,
+          'anthropic-version': '2023-06-01',
+          // Calling the API from browser code exposes the key to that code; the header opts in to it
+          'anthropic-dangerous-direct-browser-access': 'true',
+        }, {
+          model: options.model,
+          max_tokens: options.maxTokens,
+          temperature: options.temperature,
+          messages: [{ role: 'user', content: options.prompt }],
+        }).then(function (data) {
+          return (data.content || [])
+            .filter(function (block) { return block.type === 'text'; })
+            .map(function (block) { return block.text; })
+            .join('');
+        });
+      },
+    },
+    {
+      id: 'openai',
+      name: 'OpenAI-compatible',
+      keyStorage: 'openaiApiKey',
+      needsKey: true,
+      hasBaseUrl: true,
+      defaultBaseUrl: 'https://api.openai.com/v1',
+      keyUrl: 'https://platform.openai.com/api-keys',
+      models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+      complete: function (options) { return openAiCompatible(options, this.defaultBaseUrl); },
+    },
+    {
+      id: 'local',
+      name: 'Local (Ollama / llama.cpp)',
+      keyStorage: 'localLlmApiKey',
+      needsKey: false,
+      hasBaseUrl: true,
+      // Ollama's default; llama.cpp's server uses http://localhost:8080/v1
+      defaultBaseUrl: 'http://localhost:11434/v1',
+      models: ['llama3.1', 'qwen2.5', 'mistral'],
+      complete: function (options) {
+        const baseUrl = this.defaultBaseUrl;
+        return openAiCompatible(options, baseUrl).catch(function (err) {
+          // fetch() only says "Failed to fetch" when nothing is listening
+          if (err instanceof TypeError) {
+            throw new Error('Could not reach the local model server at ' + trimSlash(options.baseUrl || baseUrl) +
+              '. Is it running, and does it allow requests from this page (e.g. OLLAMA_ORIGINS)?');
+          }
+          throw err;
+        });
+      },
+    },
+    {
+      id: 'mock',
+      name: 'Mock (offline test)',
+      keyStorage: null,
+      needsKey: false,
+      models: ['timestamps'],
+      complete: function (options) {
+        return new Promise(function (resolve) {
+          setTimeout(function () { resolve(JSON.stringify(mockSegments(options.prompt))); }, 300);
+        });
+      },
+    },
+  ];
+
+  function get(id) {
+    return PROVIDERS.find(function (p) { return p.id === id; }) || null;
+  }
+
+  function complete(providerId, options) {
+    const provider = get(providerId);
+    if (!provider) return Promise.reject(new Error('Unknown AI provider "' + providerId + '"'));
+    if (provider.needsKey && !options.apiKey) return Promise.reject(new Error(provider.name + ' needs an API key'));
+    const merged = Object.assign({ temperature: 0.3, maxTokens: 8192 }, options);
+    merged.model = options.model || provider.models[0];
+    return provider.complete(merged);
+  }
+
+  window.LlmProviders = {
+    PROVIDERS: PROVIDERS,
+    get: get,
+    complete: complete,
+  };
+})();
@@ -0,0 +1,377 @@
+/**
+ * QR Code Generator
+ *
+ * A small byte-mode QR encoder (ISO/IEC 18004) for the printable routine
+ * sheet. Text is encoded as UTF-8 at error correction level M, falling back
+ * to L when that is the only way it fits, in the smallest version (1-40)
+ * that holds it.
+ *
+ *   QRCode.encode(text)  -> { size, modules }  // modules[y][x] true = dark
+ *   QRCode.toSvg(text)   -> '<svg ...>' with a 4-module quiet zone
+ *
+ * Throws when the text is too long for any QR code (~2900 bytes).
+ *
+ * Exposed as window.QRCode.
+ */
+(function () {
+  'use strict';
+
+  // formatBits are the two bits the format information uses for each level
+  const ECC_LEVELS = [
+    { name: 'M', ordinal: 1, formatBits: 0 },
+    { name: 'L', ordinal: 0, formatBits: 1 },
+  ];
+
+  // Indexed by [ordinal][version]; ordinal 0 = L, 1 = M
+  const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  ];
+  const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  ];
+
+  function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  // Modules left for data + ECC once the function patterns are drawn
+  function getNumRawDataModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function getNumDataCodewords(ver, ecl) {
+    return Math.floor(getNumRawDataModules(ver) / 8) -
+      ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+  }
+
+  // ---- Reed-Solomon over GF(2^8), polynomial 0x11D ----
+
+  function rsMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = [];
+    for (let i = 0; i < degree - 1; i++) result.push(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = rsMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = rsMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(function () { return 0; });
+    data.forEach(function (b) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach(function (coef, i) { result[i] ^= rsMultiply(coef, factor); });
+    });
+    return result;
+  }
+
+  // Splits data into blocks, appends each block's ECC, then interleaves them
+  function addEccAndInterleave(data, ver, ecl) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver];
+    const rawCodewords = Math.floor(getNumRawDataModules(ver) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = rsRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0); // placeholder, skipped when interleaving
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach(function (block, j) {
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // ---- Data encoding (byte mode) ----
+
+  function toUtf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+  }
+
+  function encodeData(bytes, ver, ecl) {
+    const bits = [];
+    function append(value, length) {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    }
+    append(0x4, 4); // byte mode
+    append(bytes.length, ver <= 9 ? 8 : 16);
+    bytes.forEach(function (b) { append(b, 8); });
+
+    const capacityBits = getNumDataCodewords(ver, ecl) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      let byte = 0;
+      for (let j = 0; j < 8; j++) byte = (byte << 1) | bits[i + j];
+      codewords.push(byte);
+    }
+    return codewords;
+  }
+
+  function chooseVersion(bytes) {
+    for (let e = 0; e < ECC_LEVELS.length; e++) {
+      for (let ver = 1; ver <= 40; ver++) {
+        const usedBits = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+        if (bytes.length < (ver <= 9 ? 256 : 65536) && usedBits <= getNumDataCodewords(ver, ECC_LEVELS[e]) * 8) {
+          return { ver: ver, ecl: ECC_LEVELS[e] };
+        }
+      }
+    }
+    throw new Error('Too much data for a QR code (' + bytes.length + ' bytes)');
+  }
+
+  // ---- Module matrix ----
+
+  function Matrix(ver, ecl) {
+    this.ver = ver;
+    this.ecl = ecl;
+    this.size = ver * 4 + 17;
+    this.modules = [];
+    this.isFunction = [];
+    for (let y = 0; y < this.size; y++) {
+      this.modules.push(new Array(this.size).fill(false));
+      this.isFunction.push(new Array(this.size).fill(false));
+    }
+  }
+
+  Matrix.prototype.setFunction = function (x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  };
+
+  Matrix.prototype.alignmentPositions = function () {
+    if (this.ver === 1) return [];
+    const numAlign = Math.floor(this.ver / 7) + 2;
+    const step = this.ver === 32 ? 26 : Math.ceil((this.ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = this.size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  };
+
+  Matrix.prototype.drawFunctionPatterns = function () {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = this.alignmentPositions();
+    const n = positions.length;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        // The three corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+        this.drawAlignment(positions[i], positions[j]);
+      }
+    }
+    this.drawFormatBits(0); // reserved now, rewritten once the mask is chosen
+    this.drawVersion();
+  };
+
+  Matrix.prototype.drawFinder = function (x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+      }
+    }
+  };
+
+  Matrix.prototype.drawAlignment = function (x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  };
+
+  Matrix.prototype.drawFormatBits = function (mask) {
+    const size = this.size;
+    const data = (this.ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true); // always-dark module
+  };
+
+  Matrix.prototype.drawVersion = function () {
+    if (this.ver < 7) return;
+    let rem = this.ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  };
+
+  // Zig-zags two columns at a time from the bottom right, skipping the vertical timing pattern
+  Matrix.prototype.drawCodewords = function (data) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  };
+
+  const MASKS = [
+    function (x, y) { return (x + y) % 2 === 0; },
+    function (x, y) { return y % 2 === 0; },
+    function (x) { return x % 3 === 0; },
+    function (x, y) { return (x + y) % 3 === 0; },
+    function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+    function (x, y) { return x * y % 2 + x * y % 3 === 0; },
+    function (x, y) { return (x * y % 2 + x * y % 3) % 2 === 0; },
+    function (x, y) { return ((x + y) % 2 + x * y % 3) % 2 === 0; },
+  ];
+
+  // XOR is its own inverse, so applying the same mask twice undoes it
+  Matrix.prototype.applyMask = function (mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  };
+
+  // The spec's penalty rules: long runs, 2x2 blocks, finder look-alikes, dark/light balance
+  Matrix.prototype.penalty = function () {
+    const size = this.size;
+    const modules = this.modules;
+    let result = 0;
+    let dark = 0;
+    const lines = [];
+
+    for (let y = 0; y < size; y++) {
+      let row = '';
+      let col = '';
+      for (let x = 0; x < size; x++) {
+        row += modules[y][x] ? '1' : '0';
+        col += modules[x][y] ? '1' : '0';
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += 3;
+        }
+      }
+      lines.push(row, col);
+    }
+
+    lines.forEach(function (line) {
+      (line.match(/0{5,}|1{5,}/g) || []).forEach(function (run) { result += run.length - 2; });
+      ['10111010000', '00001011101'].forEach(function (pattern) {
+        for (let i = line.indexOf(pattern); i !== -1; i = line.indexOf(pattern, i + 1)) result += 40;
+      });
+    });
+
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+  };
+
+  function encode(text) {
+    const bytes = toUtf8Bytes(String(text));
+    const choice = chooseVersion(bytes);
+    const matrix = new Matrix(choice.ver, choice.ecl);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addEccAndInterleave(encodeData(bytes, choice.ver, choice.ecl), choice.ver, choice.ecl));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      matrix.applyMask(mask);
+      matrix.drawFormatBits(mask);
+      const penalty = matrix.penalty();
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      matrix.applyMask(mask);
+    }
+    matrix.applyMask(bestMask);
+    matrix.drawFormatBits(bestMask);
+
+    return { size: matrix.size, modules: matrix.modules };
+  }
+
+  function toSvg(text) {
+    const qr = encode(text);
+    const border = 4;
+    const dim = qr.size + border * 2;
+    let path = '';
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) path += 'M' + (x + border) + ',' + (y + border) + 'h1v1h-1z';
+      }
+    }
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ' + dim + ' ' + dim + '" shape-rendering="crispEdges">' +
+      '<rect width="100%" height="100%" fill="#fff"/><path d="' + path + '" fill="#000"/></svg>';
+  }
+
+  window.QRCode = {
+    encode: encode,
+    toSvg: toSvg,
+  };
+})();
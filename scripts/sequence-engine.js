@@ -0,0 +1,655 @@
+/**
+ * Sequential Playback Engine
+ *
+ * Walks a routine one stretch at a time:
+ * - repeats, left/right sides and hold timers
+ * - rests between sides, repeats, stretches, block rounds and sequences
+ * - blocks (circuits) played for their own number of rounds
+ *
+ * States: idle -> playing <-> resting -> finished, with paused reachable
+ * from playing and resting. Transport (skipNext, previous, restartRepeat,
+ * jumpTo) works from any active state and keeps sequence progress. The
+ * engine owns every timer it starts and clears them on each transition, so
+ * stopping or skipping mid-rest never leaves a stale callback behind.
+ *
+ * The video player and the clock are injected, so it runs under Node with
+ * a fake player as well as in the browser:
+ *
+ *   const engine = SequenceEngine.create({
+ *     player: { load, play, pause, stop, seekTo, getCurrentTime },  // load(stretch, { stopAtEnd, startSeconds })
+ *     getRoutine: () => config,
+ *     getDefaultRest: kind => (kind === 'repeat' ? 2 : 3),
+ *     clock: { now, setInterval, clearInterval }  // optional
+ *   });
+ *   engine.on('stretchstart', e => ...);
+ *   // also: statechange, holdtick, reststart, resttick, stretchcomplete,
+ *   // stretchskipped, sequencecomplete, finished, stopped
+ *   engine.start({ totalSequences: 2 });
+ *   // forward player events: engine.handlePlayerState('playing' | 'paused' | 'ended')
+ */
+(function (root) {
+  'use strict';
+
+  const STATES = {
+    IDLE: 'idle',
+    PLAYING: 'playing',
+    RESTING: 'resting',
+    PAUSED: 'paused',
+    FINISHED: 'finished',
+  };
+
+  const MONITOR_INTERVAL = 100;
+  const TICK_INTERVAL = 250;
+
+  const realClock = {
+    now: function () { return Date.now(); },
+    setInterval: function (fn, ms) { return setInterval(fn, ms); },
+    clearInterval: function (id) { clearInterval(id); },
+  };
+
+  // ---- Routine helpers (shared with the page) ----
+
+  // Sides a stretch is played for, in order. One-sided stretches get [null].
+  function getStretchSides(stretch) {
+    return stretch.sides === 'both' ? ['Left', 'Right'] : [null];
+  }
+
+  // How long one repeat of a stretch lasts: the hold timer if set, else the clip length
+  function getStretchDuration(stretch) {
+    return stretch.holdSeconds > 0 ? stretch.holdSeconds : stretch.end - stretch.start;
+  }
+
+  // Per-stretch rest wins over the default.
+  // kind: 'repeat' = between repeats/sides of the same stretch, 'after' = before the next stretch
+  function getRestSeconds(stretch, kind, defaultRest) {
+    const own = kind === 'repeat' ? stretch.restAfterRepeat : stretch.restAfter;
+    if (typeof own === 'number' && own >= 0) return own;
+    return defaultRest || 0;
+  }
+
+  // Groups the flat stretch list into runs of consecutive stretches sharing a block.
+  // Stretches without a block form plain runs that play once.
+  // Each entry: { id, name, repeat, restAfter, start, end } (start/end are stretch indexes, inclusive)
+  function getRoutineBlocks(routine) {
+    const groups = [];
+    routine.stretches.forEach(function (stretch, index) {
+      const block = stretch.block ? (routine.blocks || []).find(function (b) { return b.id === stretch.block; }) : null;
+      const id = block ? block.id : null;
+      const last = groups[groups.length - 1];
+      if (last && last.id === id) {
+        last.end = index;
+        return;
+      }
+      groups.push({
+        id: id,
+        name: block ? block.name : null,
+        repeat: block ? block.repeat : 1,
+        restAfter: block ? block.restAfter : undefined,
+        start: index,
+        end: index,
+      });
+    });
+    return groups;
+  }
+
+  function getBlockForIndex(routine, index) {
+    return getRoutineBlocks(routine).find(function (b) { return index >= b.start && index <= b.end; });
+  }
+
+  // Rest after a block round (or after the block) falls back to its last stretch's rest
+  function getBlockRestSeconds(routine, block, defaultRest) {
+    if (typeof block.restAfter === 'number' && block.restAfter >= 0) return block.restAfter;
+    return getRestSeconds(routine.stretches[block.end], 'after', defaultRest);
+  }
+
+  // ---- Event emitter ----
+
+  function createEmitter() {
+    const handlers = {};
+
+    function off(event, fn) {
+      handlers[event] = (handlers[event] || []).filter(function (h) { return h !== fn; });
+    }
+
+    return {
+      on: function (event, fn) {
+        (handlers[event] = handlers[event] || []).push(fn);
+        return function () { off(event, fn); };
+      },
+      off: off,
+      emit: function (event, payload) {
+        (handlers[event] || []).slice().forEach(function (fn) {
+          try {
+            fn(payload);
+          } catch (e) {
+            console.error('SequenceEngine "' + event + '" handler failed:', e);
+          }
+        });
+      },
+    };
+  }
+
+  // ---- Engine ----
+
+  function create(options) {
+    const player = options.player;
+    const getRoutine = options.getRoutine;
+    const clock = options.clock || realClock;
+    const getDefaultRest = options.getDefaultRest || function () { return 0; };
+    const emitter = createEmitter();
+
+    let state = STATES.IDLE;
+    let position = freshPosition(1, 0);
+    let monitorId = null;
+    let holdId = null;
+    let restId = null;
+    let holdEndsAt = null;
+    let holdRemainingMs = null; // set while the hold is paused
+    let rest = null; // { kind, endsAt, remainingMs }
+    let pausedFrom = null;
+    let segmentStart = null; // position when the current (or just finished) segment began
+    let elapsedMs = 0; // time spent playing or resting, excluding pauses
+    let runningSince = null;
+
+    function copyPosition(p) {
+      return Object.assign({}, p, { completed: new Set(p.completed) });
+    }
+
+    function freshPosition(totalSequences, startIndex) {
+      return {
+        index: startIndex,
+        repeat: 0,
+        side: 0,
+        round: 0,
+        sequence: 0,
+        totalSequences: totalSequences,
+        completed: new Set(),
+      };
+    }
+
+    function routine() {
+      return getRoutine();
+    }
+
+    function currentStretch() {
+      return routine().stretches[position.index];
+    }
+
+    function restFor(stretch, kind) {
+      return getRestSeconds(stretch, kind, getDefaultRest(kind));
+    }
+
+    function setState(next) {
+      if (next === state) return;
+      const prev = state;
+      const now = clock.now();
+      if (runningSince !== null) elapsedMs += now - runningSince;
+      runningSince = next === STATES.PLAYING || next === STATES.RESTING ? now : null;
+      state = next;
+      emitter.emit('statechange', { state: next, prev: prev });
+    }
+
+    // Snapshot handed to listeners so they can't mutate engine state
+    function describe() {
+      const stretch = currentStretch();
+      const r = routine();
+      return {
+        index: position.index,
+        stretch: stretch,
+        side: stretch ? getStretchSides(stretch)[position.side] : null,
+        repeat: position.repeat,
+        round: position.round,
+        block: stretch ? getBlockForIndex(r, position.index) : null,
+        sequence: position.sequence,
+        totalSequences: position.totalSequences,
+        totalStretches: r.stretches.length,
+      };
+    }
+
+    function clearTimers() {
+      if (monitorId !== null) clock.clearInterval(monitorId);
+      if (holdId !== null) clock.clearInterval(holdId);
+      if (restId !== null) clock.clearInterval(restId);
+      monitorId = holdId = restId = null;
+    }
+
+    // ---- Playing a segment ----
+
+    // resumeAt (optional, from restore): { videoTime, holdRemaining } to pick up mid-segment
+    function playCurrent(resumeAt) {
+      clearTimers();
+      rest = null;
+      holdEndsAt = null;
+      holdRemainingMs = resumeAt && resumeAt.holdRemaining > 0 ? resumeAt.holdRemaining * 1000 : null;
+      const stretch = currentStretch();
+      if (!stretch) {
+        stop();
+        return;
+      }
+      segmentStart = copyPosition(position);
+      setState(STATES.PLAYING);
+      emitter.emit('stretchstart', describe());
+      // Hold stretches loop/freeze past the clip end, so the player shouldn't stop at it
+      const videoTime = resumeAt && resumeAt.videoTime;
+      const startSeconds = videoTime > stretch.start && videoTime < stretch.end ? videoTime : stretch.start;
+      player.load(stretch, { stopAtEnd: !(stretch.holdSeconds > 0), startSeconds: startSeconds });
+    }
+
+    function startMonitor() {
+      if (monitorId !== null) clock.clearInterval(monitorId);
+      const stretch = currentStretch();
+      monitorId = clock.setInterval(function () {
+        if (state !== STATES.PLAYING) return;
+        if (player.getCurrentTime() < stretch.end) return;
+        if (stretch.holdSeconds > 0) {
+          // Clip is done but the hold isn't: loop it, or freeze on the last frame
+          if (stretch.loop) {
+            player.seekTo(stretch.start);
+          } else {
+            clock.clearInterval(monitorId);
+            monitorId = null;
+            player.pause();
+          }
+        } else {
+          completeSegment();
+        }
+      }, MONITOR_INTERVAL);
+    }
+
+    // Runs on the clock, independent of the video, and completes the segment at zero
+    function startHold(ms) {
+      holdEndsAt = clock.now() + ms;
+      holdRemainingMs = null;
+      const tick = function () {
+        const remaining = Math.max(0, Math.ceil((holdEndsAt - clock.now()) / 1000));
+        emitter.emit('holdtick', { remaining: remaining });
+        return remaining;
+      };
+      tick();
+      holdId = clock.setInterval(function () {
+        if (tick() === 0) completeSegment();
+      }, TICK_INTERVAL);
+    }
+
+    function handlePlayerState(playerState) {
+      if (state !== STATES.PLAYING) return;
+      const stretch = currentStretch();
+      if (!stretch) return;
+
+      if (playerState === 'playing') {
+        // Hold timer starts once the clip is actually playing, so buffering doesn't eat into it
+        if (stretch.holdSeconds > 0 && holdId === null) {
+          startHold(holdRemainingMs !== null ? holdRemainingMs : stretch.holdSeconds * 1000);
+        }
+        startMonitor();
+      } else if (playerState === 'paused') {
+        if (monitorId !== null) clock.clearInterval(monitorId);
+        monitorId = null;
+      } else if (playerState === 'ended') {
+        if (stretch.holdSeconds > 0) {
+          // The hold timer decides when to move on
+          if (stretch.loop) {
+            player.seekTo(stretch.start);
+            player.play();
+          }
+        } else {
+          // Fallback in case the video actually ends
+          completeSegment();
+        }
+      }
+    }
+
+    // ---- Moving through the routine ----
+
+    function completeSegment() {
+      clearTimers();
+      const stretch = currentStretch();
+      if (!stretch) {
+        stop();
+        return;
+      }
+      const sides = getStretchSides(stretch);
+
+      // Play the other side before counting the repeat
+      position.side++;
+      if (position.side < sides.length) {
+        startRest(restFor(stretch, 'repeat'), 'side');
+        return;
+      }
+      position.side = 0;
+      position.repeat++;
+
+      // Continue repeating current stretch if not done
+      if (position.repeat < stretch.repeat) {
+        startRest(restFor(stretch, 'repeat'), 'repeat');
+        return;
+      }
+
+      position.completed.add(position.index);
+      emitter.emit('stretchcomplete', { index: position.index, stretch: stretch });
+
+      const step = advance();
+      if (step.type === 'finished') {
+        finish();
+      } else {
+        if (step.type === 'sequence') {
+          emitter.emit('sequencecomplete', { sequence: position.sequence, totalSequences: position.totalSequences });
+        }
+        startRest(step.rest, step.type);
+      }
+    }
+
+    // Moves past the current stretch: on to the next stretch, back to the start of
+    // the block for another circuit round, or on to the next overall sequence.
+    // Returns { type: 'stretch' | 'round' | 'sequence' | 'finished', rest }
+    function advance() {
+      const r = routine();
+      const index = position.index;
+      const block = getBlockForIndex(r, index);
+      position.repeat = 0;
+      position.side = 0;
+
+      if (index < block.end) {
+        position.index++;
+        return { type: 'stretch', rest: restFor(r.stretches[index], 'after') };
+      }
+
+      const blockRest = getBlockRestSeconds(r, block, getDefaultRest('after'));
+
+      // End of a block: go round again if the circuit isn't done
+      if (position.round + 1 < block.repeat) {
+        position.round++;
+        position.index = block.start;
+        for (let i = block.start; i <= block.end; i++) position.completed.delete(i);
+        return { type: 'round', rest: blockRest };
+      }
+      position.round = 0;
+
+      if (block.end + 1 < r.stretches.length) {
+        position.index = block.end + 1;
+        return { type: 'stretch', rest: blockRest };
+      }
+
+      // Completed one full sequence
+      position.sequence++;
+      if (position.sequence < position.totalSequences) {
+        position.index = 0;
+        position.completed.clear();
+        return { type: 'sequence', rest: blockRest };
+      }
+      return { type: 'finished', rest: 0 };
+    }
+
+    // ---- Rests ----
+
+    // kind: 'side' | 'repeat' | 'stretch' | 'round' | 'sequence'
+    function startRest(seconds, kind) {
+      clearTimers();
+      if (seconds <= 0) {
+        playCurrent();
+        return;
+      }
+      player.pause();
+      rest = { kind: kind, endsAt: clock.now() + seconds * 1000, remainingMs: null };
+      setState(STATES.RESTING);
+      const info = describe();
+      info.seconds = seconds;
+      info.kind = kind;
+      emitter.emit('reststart', info);
+      runRestTimer();
+    }
+
+    function runRestTimer() {
+      const tick = function () {
+        const remaining = Math.max(0, Math.ceil((rest.endsAt - clock.now()) / 1000));
+        emitter.emit('resttick', { remaining: remaining, kind: rest.kind });
+        return remaining;
+      };
+      tick();
+      restId = clock.setInterval(function () {
+        if (tick() === 0) playCurrent();
+      }, TICK_INTERVAL);
+    }
+
+    // ---- Transport ----
+
+    function isActive() {
+      return state === STATES.PLAYING || state === STATES.RESTING || state === STATES.PAUSED;
+    }
+
+    function start(opts) {
+      opts = opts || {};
+      clearTimers();
+      position = freshPosition(Math.max(1, opts.totalSequences || 1), opts.startIndex || 0);
+      pausedFrom = null;
+      segmentStart = null;
+      elapsedMs = 0;
+      playCurrent();
+    }
+
+    // Everything needed to pick the session up again later, e.g. after a page reload.
+    // videoTime/holdRemaining are only set when stopped mid-segment (not during a rest).
+    function getSnapshot() {
+      const inSegment = state === STATES.PLAYING || (state === STATES.PAUSED && pausedFrom === STATES.PLAYING);
+      let holdRemaining = null;
+      if (inSegment && holdId !== null) holdRemaining = Math.max(0, holdEndsAt - clock.now()) / 1000;
+      else if (inSegment && holdRemainingMs !== null) holdRemaining = holdRemainingMs / 1000;
+      return {
+        index: position.index,
+        repeat: position.repeat,
+        side: position.side,
+        round: position.round,
+        sequence: position.sequence,
+        totalSequences: position.totalSequences,
+        completed: Array.from(position.completed),
+        elapsed: Math.round(getElapsed()),
+        videoTime: inSegment ? player.getCurrentTime() : null,
+        holdRemaining: holdRemaining,
+      };
+    }
+
+    // Starts playing from a getSnapshot() result
+    function restore(snapshot) {
+      clearTimers();
+      const r = routine();
+      position = freshPosition(Math.max(1, snapshot.totalSequences || 1), Math.min(snapshot.index || 0, r.stretches.length - 1));
+      position.repeat = snapshot.repeat || 0;
+      position.side = snapshot.side || 0;
+      position.round = snapshot.round || 0;
+      position.sequence = snapshot.sequence || 0;
+      position.completed = new Set(snapshot.completed || []);
+      pausedFrom = null;
+      segmentStart = null;
+      elapsedMs = (snapshot.elapsed || 0) * 1000;
+      playCurrent({ videoTime: snapshot.videoTime, holdRemaining: snapshot.holdRemaining });
+    }
+
+    // Seconds spent playing or resting since start, pauses excluded
+    function getElapsed() {
+      const running = runningSince !== null ? clock.now() - runningSince : 0;
+      return (elapsedMs + running) / 1000;
+    }
+
+    function stop() {
+      const wasActive = isActive();
+      clearTimers();
+      rest = null;
+      pausedFrom = null;
+      setState(STATES.IDLE);
+      if (wasActive) player.stop();
+      emitter.emit('stopped', describe());
+    }
+
+    function finish() {
+      clearTimers();
+      rest = null;
+      player.stop();
+      setState(STATES.FINISHED);
+      emitter.emit('finished', { totalSequences: position.totalSequences });
+    }
+
+    function skipNext() {
+      if (!isActive()) return;
+      clearTimers();
+      // Skipping from a rest moves past what's coming up, which hasn't been played yet either
+      if (!position.completed.has(position.index)) {
+        emitter.emit('stretchskipped', { index: position.index, stretch: currentStretch() });
+      }
+      // Skipping past the last stretch ends the session rather than counting it as finished
+      if (advance().type === 'finished') {
+        stop();
+        return;
+      }
+      playCurrent();
+    }
+
+    function jumpTo(index) {
+      if (!isActive()) {
+        start({ totalSequences: position.totalSequences, startIndex: index });
+        return;
+      }
+      // Jumping within the same block keeps the circuit round
+      const r = routine();
+      const fromBlock = getBlockForIndex(r, position.index);
+      if (!fromBlock || index < fromBlock.start || index > fromBlock.end) position.round = 0;
+      position.index = index;
+      position.repeat = 0;
+      position.side = 0;
+      playCurrent();
+    }
+
+    // Plays the current repeat (or side) again from the top. During a rest, or
+    // while paused in one, that's the segment that has just finished.
+    function restartRepeat() {
+      if (!isActive() || !segmentStart) return;
+      clearTimers();
+      pausedFrom = null;
+      position = copyPosition(segmentStart);
+      playCurrent();
+    }
+
+    // Part-way through a stretch's repeats/sides, goes back to its first repeat;
+    // otherwise steps back to the previous stretch, crossing block rounds and
+    // sequences. Progress (sequence count, completed set) is kept, not reset.
+    function previous() {
+      if (!isActive()) return;
+      clearTimers();
+      pausedFrom = null;
+      const r = routine();
+      // During a rest the position already points at what's next, so go back from what just played
+      const base = segmentStart && rest ? copyPosition(segmentStart) : position;
+
+      if (base.repeat > 0 || base.side > 0) {
+        base.repeat = 0;
+        base.side = 0;
+      } else if (base.index > 0 || base.round > 0 || base.sequence > 0) {
+        stepBack(r, base);
+      }
+      base.completed.delete(base.index);
+      position = base;
+      playCurrent();
+    }
+
+    function stepBack(r, p) {
+      const block = getBlockForIndex(r, p.index);
+      if (p.index > block.start) {
+        p.index--;
+        return;
+      }
+      // Start of a block: previous round of the same circuit
+      if (p.round > 0) {
+        p.round--;
+        p.index = block.end;
+        return;
+      }
+      // Otherwise the last round of whatever came before, wrapping into the previous sequence
+      if (p.index === 0) {
+        p.sequence--;
+        p.index = r.stretches.length - 1;
+        p.completed = new Set(r.stretches.map(function (s, i) { return i; }));
+      } else {
+        p.index--;
+      }
+      const prevBlock = getBlockForIndex(r, p.index);
+      p.round = prevBlock.repeat - 1;
+      for (let i = prevBlock.start; i <= prevBlock.end; i++) {
+        if (i >= p.index) p.completed.delete(i);
+      }
+    }
+
+    function pause() {
+      if (state === STATES.PLAYING) {
+        if (holdEndsAt !== null && holdId !== null) holdRemainingMs = Math.max(0, holdEndsAt - clock.now());
+        clearTimers();
+        player.pause();
+      } else if (state === STATES.RESTING) {
+        rest.remainingMs = Math.max(0, rest.endsAt - clock.now());
+        clearTimers();
+      } else {
+        return;
+      }
+      pausedFrom = state;
+      setState(STATES.PAUSED);
+    }
+
+    function resume() {
+      if (state !== STATES.PAUSED) return;
+      const from = pausedFrom;
+      pausedFrom = null;
+      if (from === STATES.RESTING) {
+        rest.endsAt = clock.now() + rest.remainingMs;
+        rest.remainingMs = null;
+        setState(STATES.RESTING);
+        runRestTimer();
+      } else {
+        // The hold picks up from holdRemainingMs once the player reports 'playing'
+        setState(STATES.PLAYING);
+        player.play();
+      }
+    }
+
+    function getPosition() {
+      return {
+        index: position.index,
+        repeat: position.repeat,
+        side: position.side,
+        round: position.round,
+        sequence: position.sequence,
+        totalSequences: position.totalSequences,
+        completed: new Set(position.completed),
+      };
+    }
+
+    return {
+      start: start,
+      stop: stop,
+      pause: pause,
+      resume: resume,
+      skipNext: skipNext,
+      previous: previous,
+      restartRepeat: restartRepeat,
+      jumpTo: jumpTo,
+      handlePlayerState: handlePlayerState,
+      getState: function () { return state; },
+      getPausedFrom: function () { return pausedFrom; },
+      getPosition: getPosition,
+      getSnapshot: getSnapshot,
+      restore: restore,
+      getElapsed: getElapsed,
+      isActive: isActive,
+      on: emitter.on,
+      off: emitter.off,
+    };
+  }
+
+  root.SequenceEngine = {
+    STATES: STATES,
+    create: create,
+    getStretchSides: getStretchSides,
+    getStretchDuration: getStretchDuration,
+    getRestSeconds: getRestSeconds,
+    getRoutineBlocks: getRoutineBlocks,
+    getBlockForIndex: getBlockForIndex,
+    getBlockRestSeconds: getBlockRestSeconds,
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,149 @@
+/**
+ * Share Links
+ *
+ * Packs a routine into a URL fragment so it can be shared without a file:
+ *   stretch-routine-builder.html#share=<format><base64url data>
+ *
+ * format '1': deflate-raw compressed JSON (CompressionStream)
+ * format '0': plain JSON, for browsers without CompressionStream
+ *
+ * The payload is { name, config }. Fragments never reach the server.
+ *
+ * encode/decode return Promises; decode rejects with a readable message
+ * for links that are too long, truncated or otherwise damaged.
+ *
+ * Exposed as window.ShareLink.
+ */
+(function () {
+  'use strict';
+
+  const PREFIX = 'share=';
+  // Chat apps and mail clients start mangling URLs well before browsers do
+  const MAX_LINK_LENGTH = 8000;
+  // Anything bigger than this can't have come from encode()
+  const MAX_FRAGMENT_LENGTH = 64 * 1024;
+  const MAX_JSON_BYTES = 2 * 1024 * 1024;
+
+  const canCompress = typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+  function damaged() {
+    return new Error('This share link is incomplete or damaged. Ask for the link again, or for the routine as a JSON file.');
+  }
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw damaged();
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Pipes bytes through a (De)CompressionStream, giving up past maxBytes
+  function transform(bytes, stream, maxBytes) {
+    const writer = stream.writable.getWriter();
+    writer.write(bytes).catch(function () {});
+    writer.close().catch(function () {});
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let total = 0;
+    function read() {
+      return reader.read().then(function (result) {
+        if (result.done) {
+          const out = new Uint8Array(total);
+          let offset = 0;
+          chunks.forEach(function (chunk) { out.set(chunk, offset); offset += chunk.length; });
+          return out;
+        }
+        total += result.value.length;
+        if (maxBytes && total > maxBytes) {
+          reader.cancel().catch(function () {});
+          throw damaged();
+        }
+        chunks.push(result.value);
+        return read();
+      });
+    }
+    return read();
+  }
+
+  function encode(name, config) {
+    const json = new TextEncoder().encode(JSON.stringify({ name: name, config: config }));
+    const packed = canCompress
+      ? transform(json, new CompressionStream('deflate-raw')).then(function (bytes) { return '1' + toBase64Url(bytes); })
+      : Promise.resolve('0' + toBase64Url(json));
+    return packed.then(function (data) { return PREFIX + data; });
+  }
+
+  // Builds the full link for the current page
+  function buildUrl(name, config) {
+    return encode(name, config).then(function (fragment) {
+      const url = location.href.split('#')[0] + '#' + fragment;
+      if (url.length > MAX_LINK_LENGTH) {
+        throw new Error('This routine is too large for a share link (' + url.length + ' characters). Use Download JSON to share it as a file instead.');
+      }
+      return url;
+    });
+  }
+
+  function isShareFragment(hash) {
+    return String(hash || '').replace(/^#/, '').indexOf(PREFIX) === 0;
+  }
+
+  // Resolves with { name, config }; config is unvalidated and goes through the normal migration/validation
+  function decode(hash) {
+    const fragment = String(hash || '').replace(/^#/, '');
+    if (fragment.length > MAX_FRAGMENT_LENGTH) {
+      return Promise.reject(new Error('This share link is too long to open. Ask for the routine as a JSON file instead.'));
+    }
+    const format = fragment.charAt(PREFIX.length);
+    let bytes;
+    try {
+      bytes = fromBase64Url(fragment.slice(PREFIX.length + 1));
+    } catch (e) {
+      return Promise.reject(damaged());
+    }
+
+    let json;
+    if (format === '1') {
+      if (!canCompress) {
+        return Promise.reject(new Error('This browser cannot open compressed share links. Try a recent version of Chrome, Edge, Firefox or Safari.'));
+      }
+      json = transform(bytes, new DecompressionStream('deflate-raw'), MAX_JSON_BYTES).catch(function () { throw damaged(); });
+    } else if (format === '0') {
+      json = Promise.resolve(bytes);
+    } else {
+      return Promise.reject(damaged());
+    }
+
+    return json.then(function (data) {
+      let payload;
+      try {
+        payload = JSON.parse(new TextDecoder().decode(data));
+      } catch (e) {
+        throw damaged();
+      }
+      if (!payload || typeof payload !== 'object' || !payload.config || typeof payload.config !== 'object') throw damaged();
+      return {
+        name: typeof payload.name === 'string' && payload.name.trim() ? payload.name.trim().slice(0, 100) : 'Shared routine',
+        config: payload.config,
+      };
+    });
+  }
+
+  window.ShareLink = {
+    MAX_LINK_LENGTH: MAX_LINK_LENGTH,
+    encode: encode,
+    buildUrl: buildUrl,
+    decode: decode,
+    isShareFragment: isShareFragment,
+  };
+})();
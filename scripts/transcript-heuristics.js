@@ -0,0 +1,261 @@
+/**
+ * Transcript Heuristics
+ *
+ * Splits a pasted YouTube transcript into stretch segments without an AI model
+ * or API key. Deterministic: the same transcript always gives the same result.
+ *
+ *   TranscriptHeuristics.parse(transcript)
+ *     -> [{ name, start, end, description, repeat, category, difficulty, sides?, named }]
+ *
+ * The transcript needs timestamped lines, either "0:35 text" / "[0:35] text"
+ * or YouTube's own copy format (a "0:35" line followed by its text).
+ *
+ * A new segment starts at:
+ *   - a transition phrase ("next stretch", "let's move on", ...)
+ *   - a long silence that isn't an announced hold ("hold for 30 seconds")
+ * and is named by the first exercise from EXERCISES mentioned soon after it
+ * starts. Names said later are the instructor describing the stretch, not a
+ * new one. "Switch sides" marks the segment as sides: 'both'.
+ *
+ * Each segment ends where the next one starts. Talk before the first stretch
+ * and after a sign-off ("thanks for watching") is dropped. Segments without a
+ * recognised exercise are named by position and have named: false.
+ *
+ * Exposed as window.TranscriptHeuristics.
+ */
+(function () {
+  'use strict';
+
+  // A silence at least this long, beyond any announced hold, is taken as a new segment
+  const GAP_SECONDS = 30;
+  // Segments shorter than this are folded into the next one (e.g. "next stretch... the cobra")
+  const MIN_SEGMENT_SECONDS = 8;
+  // An exercise named this soon after a segment starts is what the segment is
+  const NAME_WINDOW_SECONDS = 10;
+  // The last cue has nothing after it; assume a hold of this long
+  const DEFAULT_TAIL_SECONDS = 30;
+  const SECONDS_PER_BREATH = 5;
+
+  const TRANSITIONS = [
+    'next stretch', 'next exercise', 'next pose', 'next one', 'next move', 'next up',
+    "let's move on", 'moving on', 'move on to', "let's go into", "let's start with",
+    'first stretch', 'first exercise', 'our first',
+  ];
+  const SIDE_SWITCHES = ['switch sides', 'switch side', 'other side', 'opposite side', 'change sides', 'swap sides'];
+  const SIGN_OFFS = [
+    'thanks for watching', 'thank you for watching', 'thanks so much for watching',
+    'see you next time', 'see you in the next', "that's it for today", "that's all for today",
+  ];
+
+  // name, category, then other names for it (name itself is always matched).
+  // Only names: instructions like "ear to shoulder" come up inside many stretches.
+  const EXERCISES = [
+    ['Neck Rolls', 'warmup', ['neck roll', 'neck circles']],
+    ['Shoulder Rolls', 'warmup', ['shoulder roll', 'shoulder circles']],
+    ['Arm Circles', 'warmup', ['arm circle']],
+    ['Cat-Cow', 'warmup', ['cat cow', 'cat and cow', 'cat camel']],
+    ['Chin Tucks', 'warmup', ['chin tuck']],
+    ['Pelvic Tilts', 'warmup', ['pelvic tilt']],
+    ['Neck Side Tilt', 'flexibility', ['neck tilt', 'side neck stretch']],
+    ['Upper Trap Stretch', 'flexibility', ['upper trap', 'trapezius stretch']],
+    ['Levator Scapulae Stretch', 'flexibility', ['levator scapulae', 'levator stretch']],
+    ['Doorway Stretch', 'flexibility', ['doorway', 'door frame stretch', 'pec stretch']],
+    ['Thread the Needle', 'flexibility', ['thread the needle']],
+    ["Child's Pose", 'flexibility', ['childs pose', 'child pose', 'balasana']],
+    ['Downward Dog', 'flexibility', ['downward dog', 'down dog', 'downward facing dog']],
+    ['Cobra', 'flexibility', ['cobra', 'bhujangasana']],
+    ['Sphinx Pose', 'flexibility', ['sphinx']],
+    ['Knees to Chest', 'flexibility', ['knees to chest', 'knee to chest', 'knees to your chest', 'knees into your chest']],
+    ['Supine Twist', 'flexibility', ['supine twist', 'spinal twist', 'lying twist', 'reclined twist']],
+    ['Seated Twist', 'flexibility', ['seated twist']],
+    ['Figure Four Stretch', 'flexibility', ['figure four', 'figure 4', 'piriformis']],
+    ['Pigeon Pose', 'flexibility', ['pigeon']],
+    ['90/90 Stretch', 'flexibility', ['90 90', 'ninety ninety']],
+    ['Butterfly Stretch', 'flexibility', ['butterfly', 'bound angle']],
+    ['Frog Stretch', 'flexibility', ['frog stretch', 'frog pose']],
+    ['Happy Baby', 'flexibility', ['happy baby']],
+    ['Hip Flexor Stretch', 'flexibility', ['hip flexor', 'low lunge', 'kneeling lunge']],
+    ['Hamstring Stretch', 'flexibility', ['hamstring']],
+    ['Forward Fold', 'flexibility', ['forward fold', 'forward bend', 'toe touch']],
+    ['Quad Stretch', 'flexibility', ['quad stretch', 'quadriceps', 'quad']],
+    ['Calf Stretch', 'flexibility', ['calf stretch']],
+    ['Side Bend', 'flexibility', ['side bend', 'side stretch', 'lateral stretch']],
+    ['Glute Bridge', 'strength', ['glute bridge', 'bridge']],
+    ['Dead Bug', 'strength', ['dead bug']],
+    ['Plank', 'strength', ['plank']],
+    ['Squat', 'strength', ['squat']],
+    ['Wall Angels', 'strength', ['wall angel']],
+    ['Bird Dog', 'balance', ['bird dog']],
+    ['Tree Pose', 'balance', ['tree pose']],
+    ['Single Leg Stand', 'balance', ['single leg stand', 'stand on one leg']],
+    ['Deep Breathing', 'cooldown', ['belly breathing', 'box breathing']],
+    ['Savasana', 'cooldown', ['savasana', 'corpse pose']],
+  ].map(function (entry) {
+    return { name: entry[0], category: entry[1], phrases: [normalize(entry[0])].concat(entry[2]) };
+  });
+
+  const NUMBER_WORDS = {
+    a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, eight: 8, ten: 10,
+    fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty five': 45, sixty: 60, ninety: 90,
+  };
+
+  function normalize(text) {
+    return ' ' + String(text).toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9]+/g, ' ').trim() + ' ';
+  }
+
+  // Position of a whole-word phrase in normalized text, allowing a plural "s"; -1 if absent
+  function indexOfPhrase(norm, phrase) {
+    const needle = normalize(phrase).slice(0, -1);
+    let at = norm.indexOf(needle);
+    while (at !== -1) {
+      const after = norm.charAt(at + needle.length);
+      if (after === ' ' || (after === 's' && norm.charAt(at + needle.length + 1) === ' ')) return at;
+      at = norm.indexOf(needle, at + 1);
+    }
+    return -1;
+  }
+
+  function containsPhrase(norm, phrases) {
+    return phrases.some(function (p) { return indexOfPhrase(norm, p) !== -1; });
+  }
+
+  // The exercise mentioned earliest in the text, or null
+  function findExercise(norm) {
+    let best = null;
+    let bestAt = Infinity;
+    EXERCISES.forEach(function (ex) {
+      ex.phrases.forEach(function (p) {
+        const at = indexOfPhrase(norm, p);
+        // Longer phrases win ties ("hip flexor" over "flexor")
+        if (at !== -1 && (at < bestAt || (at === bestAt && p.length > best.phrase.length))) {
+          best = { exercise: ex, phrase: p };
+          bestAt = at;
+        }
+      });
+    });
+    return best && best.exercise;
+  }
+
+  // "hold for 30 seconds", "hold this for five breaths", "stay here for a minute" -> seconds
+  function findHold(norm) {
+    const m = norm.match(/ (?:hold|stay|remain|breathe)(?: it| this| that| here| there| the stretch)*(?: for)? (\d+|[a-z]+(?: [a-z]+)?) (seconds?|breaths?|minutes?) /);
+    if (!m) return null;
+    const words = m[1].split(' ');
+    // "forty five", "another ten", "a full (minute)"
+    const amount = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : NUMBER_WORDS[m[1]] || NUMBER_WORDS[words[1]] || NUMBER_WORDS[words[0]];
+    if (!amount) return null;
+    if (m[2].indexOf('breath') === 0) return amount * SECONDS_PER_BREATH;
+    if (m[2].indexOf('minute') === 0) return amount * 60;
+    return amount;
+  }
+
+  // -> [{ time, text }] in transcript order
+  function readCues(transcript) {
+    const cues = [];
+    String(transcript || '').split(/\r?\n/).forEach(function (line) {
+      const m = line.match(/^\s*\[?((?:\d+:)?\d{1,2}:\d{2})\]?\s*(.*)$/);
+      if (m) {
+        const parts = m[1].split(':').map(Number);
+        const time = parts.reduce(function (total, part) { return total * 60 + part; }, 0);
+        cues.push({ time: time, text: m[2].trim() });
+      } else if (line.trim() && cues.length) {
+        const last = cues[cues.length - 1];
+        last.text = (last.text + ' ' + line.trim()).trim();
+      }
+    });
+    return cues;
+  }
+
+  function parse(transcript) {
+    const cues = readCues(transcript);
+    const segments = [];
+    let current = null;
+    let previousTime = null;
+
+    function startSegment(time, exercise, signOff) {
+      current = { start: time, exercise: exercise, bothSides: false, signOff: signOff, hold: null, lastCue: time, text: [] };
+      segments.push(current);
+    }
+
+    cues.forEach(function (cue) {
+      const norm = normalize(cue.text);
+      const exercise = findExercise(norm);
+      const silence = previousTime === null ? 0 : cue.time - previousTime;
+      previousTime = cue.time;
+
+      if (containsPhrase(norm, SIGN_OFFS)) {
+        if (!current || !current.signOff) startSegment(cue.time, null, true);
+      } else if (!current || containsPhrase(norm, TRANSITIONS)) {
+        startSegment(cue.time, exercise, false);
+      } else if (!current.signOff && containsPhrase(norm, SIDE_SWITCHES)) {
+        // Checked before the silence rule: holding the first side quietly is still the same stretch
+        current.bothSides = true;
+      } else if (silence >= GAP_SECONDS + (current.hold || 0)) {
+        startSegment(cue.time, exercise, false);
+      } else if (current.signOff) {
+        // Everything after the sign-off belongs to it
+      } else if (exercise && cue.time - current.start <= NAME_WINDOW_SECONDS) {
+        current.exercise = exercise;
+      } else if (exercise && !current.exercise) {
+        // Talk that never named a stretch (an intro, say) ends where one is named
+        startSegment(cue.time, exercise, false);
+      }
+
+      const hold = findHold(norm);
+      if (hold) current.hold = Math.max(current.hold || 0, hold);
+      current.lastCue = cue.time;
+      if (cue.text) current.text.push(cue.text);
+    });
+
+    // Fold segments too short to be a stretch into the one that follows
+    const merged = [];
+    segments.forEach(function (seg, i) {
+      const next = segments[i + 1];
+      const conflicting = seg.exercise && next && next.exercise && seg.exercise !== next.exercise;
+      if (next && next.start - seg.start < MIN_SEGMENT_SECONDS && !conflicting && !seg.signOff && !next.signOff) {
+        next.start = seg.start;
+        next.exercise = next.exercise || seg.exercise;
+        next.bothSides = next.bothSides || seg.bothSides;
+        next.hold = Math.max(next.hold || 0, seg.hold || 0) || null;
+        next.text = seg.text.concat(next.text);
+        return;
+      }
+      merged.push(seg);
+    });
+
+    // Ends come from the full list, so a dropped sign-off still ends the stretch before it
+    merged.forEach(function (seg, i) {
+      const next = merged[i + 1];
+      seg.end = Math.max(next ? next.start : seg.lastCue + Math.max(seg.hold || 0, DEFAULT_TAIL_SECONDS), seg.start + 1);
+    });
+
+    const kept = merged.filter(function (seg) { return !seg.signOff; });
+    // Leading and trailing talk with no exercise and no hold is the intro / outro
+    const isChatter = function (seg) { return !seg.exercise && !seg.hold; };
+    if (kept.length > 1 && isChatter(kept[0])) kept.shift();
+    if (kept.length > 1 && isChatter(kept[kept.length - 1])) kept.pop();
+
+    let unnamed = 0;
+    return kept.map(function (seg) {
+      const description = seg.text.join(' ').replace(/\s+/g, ' ').trim();
+      const stretch = {
+        name: seg.exercise ? seg.exercise.name : 'Stretch ' + (++unnamed),
+        start: seg.start,
+        end: seg.end,
+        description: description.length > 200 ? description.slice(0, 197) + '...' : description,
+        repeat: 3,
+        category: seg.exercise ? seg.exercise.category : 'flexibility',
+        difficulty: 1,
+        named: !!seg.exercise,
+      };
+      if (seg.bothSides) stretch.sides = 'both';
+      return stretch;
+    });
+  }
+
+  window.TranscriptHeuristics = {
+    EXERCISES: EXERCISES,
+    readCues: readCues,
+    parse: parse,
+  };
+})();
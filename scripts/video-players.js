@@ -0,0 +1,156 @@
+/**
+ * Video Player Adapters
+ *
+ * Stretches normally play from YouTube (stretch.videoId) through YT.Player.
+ * A stretch can instead point at a video URL (stretch.videoUrl) or a local
+ * file the user picked (stretch.videoFile), played with an HTML5 <video>.
+ *
+ * Html5Player implements the subset of the YT.Player API the app uses
+ * (playVideo, pauseVideo, seekTo, getCurrentTime, loadVideoById, mute, ...)
+ * and reports the same state codes, so the grid cards and the sequential
+ * player treat both kinds of player the same way.
+ *
+ * Local files are never uploaded or stored: their object URLs live in memory
+ * for this page session, keyed by file name.
+ *
+ * Exposed as window.VideoPlayers.
+ */
+(function () {
+  'use strict';
+
+  // Same values as YT.PlayerState, usable before (or without) the YouTube API
+  const PlayerState = {
+    ENDED: 0,
+    PLAYING: 1,
+    PAUSED: 2,
+  };
+
+  const localFiles = new Map(); // file name -> object URL
+
+  function isHtml5Source(stretch) {
+    return !!(stretch && (stretch.videoUrl || stretch.videoFile));
+  }
+
+  function getSourceType(stretch) {
+    if (stretch.videoFile) return 'file';
+    if (stretch.videoUrl) return 'url';
+    return 'youtube';
+  }
+
+  // URL to hand to <video>, or null when a local file hasn't been picked this session
+  function resolveSource(stretch) {
+    if (stretch.videoFile) return localFiles.get(stretch.videoFile) || null;
+    return stretch.videoUrl || null;
+  }
+
+  function registerLocalFile(file) {
+    const previous = localFiles.get(file.name);
+    if (previous) URL.revokeObjectURL(previous);
+    localFiles.set(file.name, URL.createObjectURL(file));
+    return file.name;
+  }
+
+  function hasLocalFile(name) {
+    return localFiles.has(name);
+  }
+
+  /**
+   * options: { src, start, end, muted, onReady(event), onStateChange(event) }
+   * Events look like YT's: { target: player, data: PlayerState.* }
+   * `end` behaves like YT's endSeconds: playback stops there and reports ENDED.
+   */
+  function Html5Player(container, options) {
+    const self = this;
+    const video = document.createElement('video');
+    video.className = 'html5-player';
+    video.controls = true;
+    video.playsInline = true;
+    video.preload = 'metadata';
+    video.muted = !!options.muted;
+    container.appendChild(video);
+
+    let endSeconds = options.end;
+    let startSeconds = options.start || 0;
+    let pendingStart = startSeconds;
+    let ready = false;
+
+    function emit(handler, data) {
+      if (handler) handler({ target: self, data: data });
+    }
+
+    video.addEventListener('loadedmetadata', function () {
+      if (pendingStart !== null) {
+        video.currentTime = pendingStart;
+        pendingStart = null;
+      }
+      if (!ready) {
+        ready = true;
+        emit(options.onReady);
+      }
+    });
+    video.addEventListener('playing', function () { emit(options.onStateChange, PlayerState.PLAYING); });
+    video.addEventListener('pause', function () {
+      if (!video.ended) emit(options.onStateChange, PlayerState.PAUSED);
+    });
+    video.addEventListener('ended', function () { emit(options.onStateChange, PlayerState.ENDED); });
+    video.addEventListener('timeupdate', function () {
+      if (endSeconds && video.currentTime >= endSeconds && !video.paused) {
+        video.pause();
+        emit(options.onStateChange, PlayerState.ENDED);
+      }
+    });
+
+    this.video = video;
+    this.setSource = function (src, start, end) {
+      endSeconds = end;
+      startSeconds = start || 0;
+      pendingStart = startSeconds;
+      if (src) {
+        video.src = src;
+      } else {
+        video.removeAttribute('src');
+        video.load();
+      }
+    };
+    if (options.src) this.setSource(options.src, options.start, options.end);
+
+    // YT-style API
+    this.loadVideoById = function (opts) {
+      self.setSource(opts.src, opts.startSeconds, opts.endSeconds);
+    };
+    this.playVideo = function () {
+      const played = video.play();
+      // Autoplay can be refused until the user interacts; the controls are still there
+      if (played && played.catch) played.catch(function () {});
+    };
+    this.pauseVideo = function () { video.pause(); };
+    this.stopVideo = function () {
+      video.pause();
+      if (video.readyState > 0) video.currentTime = startSeconds;
+    };
+    this.seekTo = function (seconds) { video.currentTime = seconds; };
+    this.getCurrentTime = function () { return video.currentTime; };
+    this.mute = function () { video.muted = true; };
+    this.unMute = function () { video.muted = false; };
+    this.isMuted = function () { return video.muted; };
+    this.setPlaybackRate = function (rate) { video.playbackRate = rate; };
+    this.getVolume = function () { return Math.round(video.volume * 100); };
+    this.setVolume = function (volume) { video.volume = Math.max(0, Math.min(100, volume)) / 100; };
+    this.destroy = function () {
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      video.remove();
+    };
+  }
+
+  window.VideoPlayers = {
+    PlayerState: PlayerState,
+    Html5Player: Html5Player,
+    isHtml5Source: isHtml5Source,
+    getSourceType: getSourceType,
+    resolveSource: resolveSource,
+    registerLocalFile: registerLocalFile,
+    hasLocalFile: hasLocalFile,
+  };
+})();
@@ -0,0 +1,130 @@
+/**
+ * Workout History Store
+ *
+ * Keeps one record per sequential-player session in IndexedDB:
+ *   {
+ *     id,                 // assigned by the store
+ *     routineName, playlistId,
+ *     status,             // 'completed' | 'stopped'
+ *     startedAt, endedAt, // ISO strings
+ *     activeSeconds,      // playing + resting, pauses excluded
+ *     sequencesDone, totalSequences,
+ *     completed: [{ index, name, sequence, round, rating? }],  // rating: optional 0-10 effort/pain
+ *     skipped:   [{ index, name, sequence, round }]
+ *   }
+ *
+ * All methods return Promises; add() resolves with the new record's id, and
+ * put() replaces the record with the same id. Exposed as window.WorkoutHistory.
+ */
+(function () {
+  'use strict';
+
+  const DB_NAME = 'stretchRoutineBuilder';
+  const DB_VERSION = 1;
+  const STORE = 'sessions';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function (resolve, reject) {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = function () {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('startedAt', 'startedAt');
+        }
+      };
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    });
+    // Let a later call retry if opening failed (e.g. private mode)
+    dbPromise.catch(function () { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Runs fn(store) in a transaction and resolves with the request's result
+  function withStore(mode, fn) {
+    return openDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = function () { resolve(request ? request.result : undefined); };
+        tx.onerror = function () { reject(tx.error); };
+        tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  }
+
+  function add(session) {
+    return withStore('readwrite', function (store) { return store.add(session); });
+  }
+
+  function put(session) {
+    return withStore('readwrite', function (store) { return store.put(session); });
+  }
+
+  // Newest first
+  function list() {
+    return withStore('readonly', function (store) { return store.index('startedAt').getAll(); })
+      .then(function (sessions) { return sessions.reverse(); });
+  }
+
+  function remove(id) {
+    return withStore('readwrite', function (store) { return store.delete(id); });
+  }
+
+  // ---- Export ----
+
+  const CSV_COLUMNS = [
+    ['id', function (s) { return s.id; }],
+    ['routine', function (s) { return s.routineName; }],
+    ['status', function (s) { return s.status; }],
+    ['started_at', function (s) { return s.startedAt; }],
+    ['ended_at', function (s) { return s.endedAt; }],
+    ['active_seconds', function (s) { return s.activeSeconds; }],
+    ['sequences_done', function (s) { return s.sequencesDone; }],
+    ['total_sequences', function (s) { return s.totalSequences; }],
+    ['stretches_completed', function (s) { return s.completed.length; }],
+    ['stretches_skipped', function (s) { return s.skipped.length; }],
+    ['completed', function (s) { return s.completed.map(function (c) { return c.name; }).join('; '); }],
+    ['skipped', function (s) { return s.skipped.map(function (c) { return c.name; }).join('; '); }],
+    ['ratings', function (s) {
+      return s.completed
+        .filter(function (c) { return typeof c.rating === 'number'; })
+        .map(function (c) { return c.name + ': ' + c.rating; })
+        .join('; ');
+    }],
+  ];
+
+  function csvCell(value) {
+    const str = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  }
+
+  function toCSV(sessions) {
+    const header = CSV_COLUMNS.map(function (c) { return c[0]; }).join(',');
+    const rows = sessions.map(function (s) {
+      return CSV_COLUMNS.map(function (c) { return csvCell(c[1](s)); }).join(',');
+    });
+    return [header].concat(rows).join('\n');
+  }
+
+  function toJSON(sessions) {
+    return JSON.stringify(sessions, null, 2);
+  }
+
+  window.WorkoutHistory = {
+    add: add,
+    put: put,
+    list: list,
+    remove: remove,
+    toCSV: toCSV,
+    toJSON: toJSON,
+  };
+})();
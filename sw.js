@@ -0,0 +1,116 @@
+/**
+ * Service Worker - offline app shell
+ *
+ * - Precaches the app shell (HTML, scripts, manifest, icon, preset JSON files)
+ * - Pages and own files (scripts, presets): network first, falling back to the
+ *   cache when offline, so a fresh page never runs with scripts from an old deploy
+ * - Google Fonts: served from cache, refreshed in the background
+ * - YouTube, Firebase and /api calls always go to the network; the page shows
+ *   a "needs connection" state for videos instead
+ * - Reminder notifications: clicking one focuses the app and loads the playlist
+ *
+ * User playlists live in localStorage and history in IndexedDB, so they are
+ * available offline without going through this cache.
+ */
+'use strict';
+
+// deploy.yml replaces __BUILD_ID__ with the commit, so each deploy gets a fresh shell cache
+const CACHE_NAME = 'stretch-shell-__BUILD_ID__';
+const FONT_CACHE = 'stretch-fonts-v1';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'stretch-routine-builder.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'scripts/sequence-engine.js',
+  'scripts/workout-history.js',
+  'scripts/video-players.js',
+  'scripts/share-link.js',
+  'scripts/qr-code.js',
+  'scripts/llm-providers.js',
+  'scripts/transcript-heuristics.js',
+  'set-neck-stretch-routine-config.json',
+  'set-lowerback-stretch-routine-config9.json',
+  'set-hip-stretch-routine-config (1).json',
+];
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(function (cache) {
+      // One missing file shouldn't stop the rest of the shell from caching
+      return Promise.all(SHELL_FILES.map(function (url) {
+        return cache.add(url).catch(function (err) {
+          console.warn('[sw] could not precache', url, err);
+        });
+      }));
+    }).then(function () { return self.skipWaiting(); })
+  );
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(
+    caches.keys().then(function (keys) {
+      return Promise.all(keys
+        .filter(function (key) { return key !== CACHE_NAME && key !== FONT_CACHE; })
+        .map(function (key) { return caches.delete(key); }));
+    }).then(function () { return self.clients.claim(); })
+  );
+});
+
+function networkFirst(request) {
+  return fetch(request).then(function (response) {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(function (cache) { cache.put(request, copy); });
+    }
+    return response;
+  }).catch(function () {
+    return caches.match(request, { ignoreSearch: true }).then(function (cached) {
+      if (cached) return cached;
+      return request.mode === 'navigate' ? caches.match('stretch-routine-builder.html') : Response.error();
+    });
+  });
+}
+
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then(function (cache) {
+    return cache.match(request).then(function (cached) {
+      const fresh = fetch(request).then(function (response) {
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+      }).catch(function () { return cached; });
+      return cached || fresh;
+    });
+  });
+}
+
+self.addEventListener('fetch', function (event) {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin || url.pathname.indexOf('/api/') !== -1) return;
+
+  event.respondWith(networkFirst(request));
+});
+
+self.addEventListener('notificationclick', function (event) {
+  const playlistId = event.notification.data && event.notification.data.playlistId;
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (clients) {
+      const client = clients.find(function (c) { return c.url.indexOf('stretch-routine-builder.html') !== -1; });
+      if (client) {
+        client.postMessage({ type: 'open-playlist', playlistId: playlistId });
+        return client.focus();
+      }
+      return self.clients.openWindow('stretch-routine-builder.html?playlist=' + encodeURIComponent(playlistId || ''));
+    })
+  );
+});
@@ -0,0 +1,109 @@
+/**
+ * Routine strings from a share link must reach the grid and playlist as text.
+ * Runs the page's own render functions against a bare-bones fake DOM.
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+globalThis.window = globalThis;
+await import('../scripts/sequence-engine.js');
+await import('../scripts/share-link.js');
+const { SequenceEngine, ShareLink } = globalThis;
+
+const page = readFileSync(new URL('../stretch-routine-builder.html', import.meta.url), 'utf8');
+
+// Cuts `function name(...) { ... }` out of the page's inline script
+function extractFunction(name) {
+  const start = page.indexOf(`function ${name}(`);
+  assert.ok(start >= 0, `${name} not found in the page`);
+  let depth = 0;
+  for (let i = page.indexOf('{', start); i < page.length; i++) {
+    if (page[i] === '{') depth++;
+    else if (page[i] === '}' && --depth === 0) return page.slice(start, i + 1);
+  }
+  throw new Error(`${name} has no closing brace`);
+}
+
+class FakeElement {
+  constructor() {
+    this.children = [];
+    this.style = {};
+    this.classList = { add() {}, remove() {} };
+    this.innerHTML = '';
+  }
+  appendChild(child) { this.children.push(child); return child; }
+  insertBefore(child) { this.children.unshift(child); return child; }
+  // Only used to set textContent / value, which never parse markup
+  querySelector() { return {}; }
+  get html() { return this.innerHTML + this.children.map(c => c.html).join(''); }
+}
+
+function createPage(config) {
+  const elements = {};
+  const context = vm.createContext({
+    config,
+    SequenceEngine,
+    document: {
+      getElementById: id => (elements[id] = elements[id] || new FakeElement()),
+      createElement: () => new FakeElement(),
+    },
+    sequencer: {
+      isActive: () => false,
+      getPosition: () => ({ index: 0, repeat: 0, side: 0, round: 0, sequence: 0, totalSequences: 1, completed: new Set() }),
+    },
+    VideoPlayers: {
+      getSourceType: s => (s.videoFile ? 'file' : s.videoUrl ? 'url' : 'youtube'),
+      hasLocalFile: () => false,
+    },
+    cuedStretch: null,
+    compactView: false,
+    sharedRoutine: { name: 'Shared' },
+    slidersVisible: false,
+    playerStates: [],
+    addExercise() {},
+    estimateRoutineDuration: () => 0,
+  });
+  [
+    'escapeHtml', 'formatTime', 'renderDifficultyDots', 'getStretchDuration', 'getStretchSides',
+    'getRoutineBlocks', 'createBlockHeaderCard', 'renderGrid', 'renderPlaylist',
+  ].forEach(name => vm.runInContext(extractFunction(name), context));
+  return { context, elements };
+}
+
+const MARKUP = '<img src=x onerror="alert(1)">';
+
+async function sharedConfig() {
+  const url = await ShareLink.encode('Shared', {
+    schemaVersion: 1,
+    layout: '5x2',
+    videoId: 'dQw4w9WgXcQ',
+    stretches: [
+      { name: MARKUP, description: `</textarea>${MARKUP}`, videoId: 'dQw4w9WgXcQ', start: 0, end: 30, repeat: 1, loop: true, block: 'warm-up' },
+    ],
+    blocks: [{ id: 'warm-up', name: `</option>${MARKUP}`, repeat: 1 }],
+  });
+  return (await ShareLink.decode('#' + url)).config;
+}
+
+test('stretch and block strings from a share link render as text in the grid', async () => {
+  const { context, elements } = createPage(await sharedConfig());
+  context.renderGrid();
+  const html = elements.stretchGrid.html;
+
+  assert.ok(!html.includes('<img'), 'markup in the routine was rendered as HTML');
+  assert.ok(!html.includes('</textarea><'), 'the description closed its textarea');
+  assert.ok(!html.includes('</option><'), 'the block name closed its option');
+  assert.ok(html.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+});
+
+test('stretch names from a share link render as text in the playlist', async () => {
+  const { context, elements } = createPage(await sharedConfig());
+  context.renderPlaylist();
+  const html = elements.playlistItems.html;
+
+  assert.ok(!html.includes('<img'), 'markup in the routine was rendered as HTML');
+  assert.ok(html.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+});
@@ -0,0 +1,265 @@
+/**
+ * SequenceEngine under Node, with a fake player and a manual clock.
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+await import('../scripts/sequence-engine.js');
+const { SequenceEngine } = globalThis;
+const { STATES } = SequenceEngine;
+
+// Intervals only fire when the test moves time forward
+function createClock() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map(); // id -> { fn, ms, due }
+  return {
+    now: () => now,
+    setInterval(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { fn, ms, due: now + ms });
+      return id;
+    },
+    clearInterval(id) { timers.delete(id); },
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        let next = null;
+        timers.forEach(t => {
+          if (t.due <= until && (!next || t.due < next.due)) next = t;
+        });
+        if (!next) break;
+        now = next.due;
+        next.due += next.ms;
+        next.fn();
+      }
+      now = until;
+    },
+  };
+}
+
+function createPlayer() {
+  return {
+    time: 0,
+    calls: [],
+    loads: [],
+    load(stretch, opts) {
+      this.loads.push({ stretch, opts });
+      this.calls.push('load');
+      this.time = opts.startSeconds;
+    },
+    play() { this.calls.push('play'); },
+    pause() { this.calls.push('pause'); },
+    stop() { this.calls.push('stop'); },
+    seekTo(seconds) { this.time = seconds; },
+    getCurrentTime() { return this.time; },
+  };
+}
+
+function setup(stretches, opts = {}) {
+  const routine = { stretches, blocks: [] };
+  const clock = createClock();
+  const player = createPlayer();
+  const engine = SequenceEngine.create({
+    player,
+    clock,
+    getRoutine: () => routine,
+    getDefaultRest: opts.getDefaultRest || (() => 0),
+  });
+  const events = [];
+  ['stretchstart', 'reststart', 'stretchcomplete', 'stretchskipped', 'finished', 'stopped'].forEach(name => {
+    engine.on(name, e => events.push({ name, ...e }));
+  });
+  return { engine, clock, player, events };
+}
+
+// Lets the fake video reach the end of its clip and the monitor notice
+function playToEnd({ engine, clock, player }, stretch) {
+  engine.handlePlayerState('playing');
+  player.time = stretch.end;
+  clock.advance(100);
+}
+
+const stretch = (name, extra = {}) => ({ name, start: 10, end: 40, repeat: 1, loop: true, ...extra });
+
+test('start plays the first stretch from its start time', () => {
+  const s = stretch('Neck', { repeat: 2 });
+  const t = setup([s, stretch('Back')]);
+  t.engine.start();
+
+  assert.equal(t.engine.getState(), STATES.PLAYING);
+  assert.equal(t.player.loads.length, 1);
+  assert.equal(t.player.loads[0].stretch, s);
+  assert.deepEqual(t.player.loads[0].opts, { stopAtEnd: true, startSeconds: 10 });
+  assert.equal(t.events[0].name, 'stretchstart');
+  assert.equal(t.events[0].index, 0);
+});
+
+test('end of a repeat rests, then plays the next repeat', () => {
+  const s = stretch('Neck', { repeat: 2, restAfterRepeat: 2 });
+  const t = setup([s, stretch('Back')]);
+  t.engine.start();
+  playToEnd(t, s);
+
+  assert.equal(t.engine.getState(), STATES.RESTING);
+  const rest = t.events.find(e => e.name === 'reststart');
+  assert.equal(rest.kind, 'repeat');
+  assert.equal(rest.seconds, 2);
+  assert.equal(t.engine.getPosition().repeat, 1);
+
+  t.clock.advance(1000);
+  assert.equal(t.engine.getState(), STATES.RESTING);
+  t.clock.advance(1000);
+  assert.equal(t.engine.getState(), STATES.PLAYING);
+  assert.equal(t.player.loads.length, 2);
+  assert.equal(t.engine.getPosition().index, 0);
+
+  // Second repeat done: the stretch is complete and the next one starts (no rest configured)
+  playToEnd(t, s);
+  assert.ok(t.events.some(e => e.name === 'stretchcomplete' && e.index === 0));
+  assert.equal(t.engine.getPosition().index, 1);
+});
+
+test('the last repeat of the last stretch finishes the session', () => {
+  const s = stretch('Neck');
+  const t = setup([s]);
+  t.engine.start();
+  playToEnd(t, s);
+
+  assert.equal(t.engine.getState(), STATES.FINISHED);
+  assert.ok(t.events.some(e => e.name === 'finished'));
+  assert.equal(t.player.calls.at(-1), 'stop');
+});
+
+test('stop during a rest cancels the rest timer', () => {
+  const s = stretch('Neck', { repeat: 2, restAfterRepeat: 5 });
+  const t = setup([s]);
+  t.engine.start();
+  playToEnd(t, s);
+  assert.equal(t.engine.getState(), STATES.RESTING);
+
+  t.engine.stop();
+  assert.equal(t.engine.getState(), STATES.IDLE);
+  assert.ok(t.events.some(e => e.name === 'stopped'));
+  assert.equal(t.player.calls.at(-1), 'stop');
+
+  t.clock.advance(10000);
+  assert.equal(t.engine.getState(), STATES.IDLE);
+  assert.equal(t.player.loads.length, 1);
+});
+
+test('skipNext and previous move between stretches', () => {
+  const stretches = [stretch('A'), stretch('B'), stretch('C')];
+  const t = setup(stretches);
+  t.engine.start();
+
+  t.engine.skipNext();
+  assert.equal(t.engine.getPosition().index, 1);
+  assert.deepEqual(t.events.filter(e => e.name === 'stretchskipped').map(e => e.index), [0]);
+
+  t.engine.skipNext();
+  assert.equal(t.engine.getPosition().index, 2);
+
+  t.engine.previous();
+  assert.equal(t.engine.getPosition().index, 1);
+  assert.equal(t.engine.getState(), STATES.PLAYING);
+  assert.equal(t.player.loads.at(-1).stretch, stretches[1]);
+
+  // Skipping past the last stretch stops rather than finishing
+  t.engine.skipNext();
+  t.engine.skipNext();
+  assert.equal(t.engine.getState(), STATES.IDLE);
+  assert.ok(!t.events.some(e => e.name === 'finished'));
+});
+
+test('previous part-way through a stretch goes back to its first repeat', () => {
+  const s = stretch('A', { repeat: 3 });
+  const t = setup([s, stretch('B')]);
+  t.engine.start();
+  playToEnd(t, s);
+  assert.equal(t.engine.getPosition().repeat, 1);
+
+  t.engine.previous();
+  assert.equal(t.engine.getPosition().index, 0);
+  assert.equal(t.engine.getPosition().repeat, 0);
+});
+
+test('pause and resume keep the remaining rest time', () => {
+  const s = stretch('Neck', { repeat: 2, restAfterRepeat: 4 });
+  const t = setup([s]);
+  t.engine.start();
+  playToEnd(t, s);
+  t.clock.advance(1000);
+
+  t.engine.pause();
+  assert.equal(t.engine.getState(), STATES.PAUSED);
+  assert.equal(t.engine.getPausedFrom(), STATES.RESTING);
+  t.clock.advance(60000);
+  assert.equal(t.engine.getState(), STATES.PAUSED);
+
+  t.engine.resume();
+  assert.equal(t.engine.getState(), STATES.RESTING);
+  t.clock.advance(2000);
+  assert.equal(t.engine.getState(), STATES.RESTING);
+  t.clock.advance(1000);
+  assert.equal(t.engine.getState(), STATES.PLAYING);
+});
+
+test('pause and resume keep the remaining hold time', () => {
+  const s = stretch('Hold', { holdSeconds: 10 });
+  const t = setup([s, stretch('Next')]);
+  t.engine.start();
+  assert.equal(t.player.loads[0].opts.stopAtEnd, false);
+  t.engine.handlePlayerState('playing');
+  t.clock.advance(4000);
+
+  t.engine.pause();
+  assert.equal(t.player.calls.at(-1), 'pause');
+  t.clock.advance(60000);
+  assert.equal(t.engine.getPosition().index, 0);
+
+  t.engine.resume();
+  assert.equal(t.engine.getState(), STATES.PLAYING);
+  assert.equal(t.player.calls.at(-1), 'play');
+  // The hold restarts from what was left once the player reports playing
+  t.engine.handlePlayerState('playing');
+  t.clock.advance(5750);
+  assert.equal(t.engine.getPosition().index, 0);
+  t.clock.advance(500);
+  assert.equal(t.engine.getPosition().index, 1);
+});
+
+test('snapshot and restore pick up mid-hold on the same repeat', () => {
+  const stretches = [stretch('A'), stretch('Hold', { repeat: 3, holdSeconds: 20 }), stretch('C')];
+  const t = setup(stretches);
+  t.engine.start({ totalSequences: 2 });
+  t.engine.skipNext();
+  t.engine.handlePlayerState('playing');
+  t.clock.advance(5000);
+  t.player.time = 25;
+
+  const snapshot = t.engine.getSnapshot();
+  assert.equal(snapshot.index, 1);
+  assert.equal(snapshot.repeat, 0);
+  assert.equal(snapshot.totalSequences, 2);
+  assert.equal(snapshot.videoTime, 25);
+  assert.equal(snapshot.holdRemaining, 15);
+
+  const r = setup(stretches);
+  r.engine.restore(JSON.parse(JSON.stringify(snapshot)));
+  assert.equal(r.engine.getState(), STATES.PLAYING);
+  assert.deepEqual(
+    { index: r.engine.getPosition().index, totalSequences: r.engine.getPosition().totalSequences },
+    { index: 1, totalSequences: 2 }
+  );
+  assert.equal(r.player.loads[0].opts.startSeconds, 25);
+
+  r.engine.handlePlayerState('playing');
+  r.clock.advance(14750);
+  assert.equal(r.engine.getState(), STATES.PLAYING);
+  r.clock.advance(500);
+  // Hold done: on to the stretch's next repeat
+  assert.equal(r.engine.getPosition().repeat, 1);
+  assert.equal(r.engine.getPosition().index, 1);
+});
@@ -0,0 +1,61 @@
+/**
+ * TranscriptHeuristics.parse on small hand-written transcripts.
+ * Run with: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = globalThis;
+await import('../scripts/transcript-heuristics.js');
+const { TranscriptHeuristics } = globalThis;
+
+const summary = transcript => TranscriptHeuristics.parse(transcript)
+  .map(s => ({ name: s.name, start: s.start, end: s.end, sides: s.sides }));
+
+test('instructions that mention another stretch do not split the segment', () => {
+  assert.deepEqual(summary([
+    '0:00 hi everyone welcome back',
+    '0:35 first up the upper trap stretch',
+    '0:40 tilt your ear to shoulder and gently pull',
+    '0:55 this also works as a neck tilt',
+    '1:20 next stretch, levator scapulae stretch',
+    '1:25 look down toward your pocket',
+  ].join('\n')), [
+    { name: 'Upper Trap Stretch', start: 35, end: 80, sides: undefined },
+    { name: 'Levator Scapulae Stretch', start: 80, end: 115, sides: undefined },
+  ]);
+});
+
+test('a side switch marks the stretch as both sides', () => {
+  assert.deepEqual(summary([
+    '0:00 child\'s pose, sink your hips back',
+    '0:20 next pose is pigeon, right leg forward',
+    '0:25 hold for 5 breaths',
+    '0:50 and switch sides',
+  ].join('\n')), [
+    { name: 'Child\'s Pose', start: 0, end: 20, sides: undefined },
+    { name: 'Pigeon Pose', start: 20, end: 80, sides: 'both' },
+  ]);
+});
+
+test('a side switch after a long quiet hold stays in the same stretch', () => {
+  assert.deepEqual(summary([
+    '2:10 next stretch, levator scapulae stretch',
+    '2:15 look down toward your pocket',
+    '2:50 other side',
+  ].join('\n')), [
+    { name: 'Levator Scapulae Stretch', start: 130, end: 200, sides: 'both' },
+  ]);
+});
+
+test('a sign-off ends the last stretch and is dropped', () => {
+  assert.deepEqual(summary([
+    '0:00 let\'s start with the cat cow',
+    '0:30 next stretch is child\'s pose',
+    '1:00 thanks for watching, see you next time',
+    '1:05 don\'t forget to subscribe',
+  ].join('\n')), [
+    { name: 'Cat-Cow', start: 0, end: 30, sides: undefined },
+    { name: 'Child\'s Pose', start: 30, end: 60, sides: undefined },
+  ]);
+});